@@ -0,0 +1,23 @@
+/**
+ * @description Screen text for tpp_RetainerDecision by language
+ */
+export const STRINGS = {
+    en: {
+        preQualified: 'You have pre-qualified as',
+        standardRetainer: 'Based on your application, the standard retainer applies.',
+        creditFrozen: "We can't complete the evaluation because a credit freeze is active.",
+        qualifiedThrough: "Qualified through {name}'s application",
+        qualifiedThroughBest: "Qualified through {name}'s application (best of {count} co-signers)",
+        consentReceipt: 'Consent receipt – {name} (PDF)',
+        applicant: 'applicant'
+    },
+    es: {
+        preQualified: 'Usted ha sido precalificado como',
+        standardRetainer: 'Según su solicitud, se aplica el anticipo estándar.',
+        creditFrozen: 'No podemos completar la evaluación porque hay un congelamiento de crédito activo.',
+        qualifiedThrough: 'Calificó mediante la solicitud de {name}',
+        qualifiedThroughBest: 'Calificó mediante la solicitud de {name} (la mejor de {count} codeudores)',
+        consentReceipt: 'Comprobante de consentimiento – {name} (PDF)',
+        applicant: 'solicitante'
+    }
+};
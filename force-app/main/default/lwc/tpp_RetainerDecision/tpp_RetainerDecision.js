@@ -2,6 +2,8 @@ import { LightningElement, api, wire } from 'lwc';
 import SimpleStartCongrats from '@salesforce/resourceUrl/SimpleStartCongrats';
 import SimpleStartFamilyLaw from '@salesforce/resourceUrl/SimpleStartFamilyLaw';
 import getDecisionWithLink from '@salesforce/apex/WaitingForCreditResultService.getDecisionWithLink';
+import { format, initialLanguage, normalizeLanguage, rememberLanguage, translate } from 'c/tpp_i18n';
+import { STRINGS } from './labels';
 
 const DISCOUNTS = {
     'Gold - 0% Retainer': 0,
@@ -12,21 +14,39 @@ const DISCOUNTS = {
 export default class SsRetainerDecision extends LightningElement {
     /** Pass the PARENT account id here (not the third-party id) */
     @api parentAccountId;
+    /** Applicant viewing the screen (the co-signer's account); blank = the client */
+    @api applicantAccountId;
+
+    // Applicant's language; the Flow may preset it, the toggle changes it
+    _language;
+    @api
+    get language() { return this._language; }
+    set language(value) { this._language = normalizeLanguage(value) || this._language; }
 
     // Returned from Apex (DecisionResult)
     creditDecision;
     quotedRetainer;   // (may be present, but we won't calculate with it)
     reducedRetainer;  // **this is the only amount we display**
     accountName;
+    qualifyingApplicantName; // co-signer whose credit result was used
+    applicantCount;
+    receipts = []; // { thirdPartyName, downloadUrl } for the viewing applicant's own consents
+
+    connectedCallback() {
+        this._language = initialLanguage(this._language);
+    }
 
     /*** --- Apex wire --- ***/
-    @wire(getDecisionWithLink, { accountId: '$parentAccountId' })
+    @wire(getDecisionWithLink, { accountId: '$parentAccountId', applicantAccountId: '$applicantAccountId' })
     wiredDecision({ data, error }) {
         if (data) {
             this.creditDecision  = data.creditDecision || null;
             this.quotedRetainer  = data.quotedRetainer ?? null;
             this.reducedRetainer = data.reducedRetainer ?? null;
             this.accountName     = data.accountName || '';
+            this.qualifyingApplicantName = data.qualifyingApplicantName || null;
+            this.applicantCount  = data.applicantCount || 0;
+            this.receipts = data.consentReceipts || [];
             this.updateBackgroundImages();
         } else if (error) {
             // eslint-disable-next-line no-console
@@ -34,6 +54,15 @@ export default class SsRetainerDecision extends LightningElement {
         }
     }
 
+    get t() {
+        return translate(STRINGS, this._language);
+    }
+
+    handleLanguageChange(event) {
+        this._language = event.detail.value;
+        rememberLanguage(this._language);
+    }
+
     renderedCallback() {
         this.updateBackgroundImages();
     }
@@ -66,6 +95,28 @@ export default class SsRetainerDecision extends LightningElement {
         );
     }
 
+    get showQualifyingApplicant() {
+        return this.isQualified && !!this.qualifyingApplicantName;
+    }
+    get qualifyingApplicantText() {
+        const values = { name: this.qualifyingApplicantName, count: this.applicantCount };
+        return this.applicantCount > 1
+            ? format(this.t.qualifiedThroughBest, values)
+            : format(this.t.qualifiedThrough, values);
+    }
+
+    get consentReceipts() {
+        return this.receipts.map((receipt, index) => ({
+            ...receipt,
+            key: `receipt-${index}`,
+            label: format(this.t.consentReceipt, { name: receipt.thirdPartyName || this.t.applicant })
+        }));
+    }
+
+    get hasConsentReceipts() {
+        return this.receipts.length > 0;
+    }
+
     /*** --- Amount to display (ONLY reduced retainer) --- ***/
     get reducedRetainerDisplay() {
         // Gold is always $0 by definition
@@ -0,0 +1,142 @@
+/**
+ * @description Screen text for tpp_ThirdPartyApplicationForm by language. English field labels come
+ * from the form definition (so admin relabels apply); `fields` only translates the built-in keys,
+ * and admin-added fields keep their configured label in every language.
+ */
+export const STRINGS = {
+    en: {
+        heroTitle: 'Making Family Law Easier',
+        logoAlt: 'Modern Family Law Logo',
+        formTitle: 'SimpleStart Application',
+        formSubtitle: 'Get Pre-Qualified Instantly!',
+        formDescription: "Take the first step towards a reduced retainer without affecting your credit score, get pre-qualified now! Our proprietary software uses a 'soft' credit pull to match your credit history with underwriting criteria, providing a reliable pre-qualification without impacting your credit.",
+        duplicateTitle: 'Have you applied with us before?',
+        duplicateHelp: "We found an existing record that may belong to you. Please confirm so we don't create a duplicate.",
+        email: 'Email:',
+        phoneEndingIn: 'Phone ending in',
+        thisIsMe: 'This is me',
+        confirmIdentityToReuse: 'To use this record, your last name, date of birth and the last 4 digits of your SSN must match it. Go back to check them, or create a new record.',
+        noneOfThese: 'None of these - create a new record',
+        backToApplication: 'Back to my application',
+        addressTitle: 'Please confirm your address',
+        addressHelp: 'We formatted your address the way the postal service expects it. Using this version helps us find your credit file.',
+        youEntered: 'You entered',
+        suggested: 'Suggested',
+        useSuggested: 'Use suggested address',
+        keepEntered: 'Keep what I entered',
+        relationship: 'Relationship to Client',
+        selectRelationship: 'Select relationship',
+        selectState: 'Select State',
+        selectOption: 'Select an option',
+        correctErrors: 'Please correct the following before submitting:',
+        loading: 'Loading',
+        back: 'Back',
+        next: 'Next',
+        submit: 'Submit Application',
+        saveForLater: 'Save and finish later',
+        footer: 'Make the most of your day.',
+        showSsn: 'Show Social Security Number',
+        hideSsn: 'Hide Social Security Number',
+        draftSaved: 'Your progress has been saved. We emailed a link to finish later to the address we have on file.',
+        draftMissingAccount: 'Unable to save: the application link is missing its account.',
+        saveFailed: 'An error occurred while saving the form.',
+        savedTitle: 'Saved',
+        errorTitle: 'Error',
+        required: {
+            relationship: 'Relationship to client is required.',
+            firstName: 'First name is required.',
+            lastName: 'Last name is required.',
+            birthdate: 'Birthdate is required.',
+            mobilePhone: 'Mobile phone is required.',
+            socialSecurityNumber: 'Social Security Number is required.',
+            email: 'Email is required.',
+            street: 'Street address is required.',
+            city: 'City is required.',
+            state: 'State is required.',
+            postalCode: 'Postal code is required.',
+            annualIncome: 'Income is required.'
+        },
+        steps: {},
+        relationships: {},
+        fields: {}
+    },
+    es: {
+        heroTitle: 'Haciendo más fácil el derecho familiar',
+        logoAlt: 'Logotipo de Modern Family Law',
+        formTitle: 'Solicitud SimpleStart',
+        formSubtitle: '¡Precalifique al instante!',
+        formDescription: "Dé el primer paso hacia un anticipo reducido sin afectar su puntaje de crédito: ¡precalifique ahora! Nuestro software utiliza una consulta de crédito 'suave' para comparar su historial de crédito con los criterios de evaluación y ofrecerle una precalificación confiable sin afectar su crédito.",
+        duplicateTitle: '¿Ya ha presentado una solicitud con nosotros?',
+        duplicateHelp: 'Encontramos un registro que podría ser suyo. Confírmelo para no crear un duplicado.',
+        email: 'Correo electrónico:',
+        phoneEndingIn: 'Teléfono que termina en',
+        thisIsMe: 'Soy yo',
+        confirmIdentityToReuse: 'Para usar este registro, su apellido, fecha de nacimiento y los últimos 4 dígitos de su SSN deben coincidir. Vuelva para revisarlos o cree un registro nuevo.',
+        noneOfThese: 'Ninguno de estos: crear un registro nuevo',
+        backToApplication: 'Volver a mi solicitud',
+        addressTitle: 'Confirme su dirección',
+        addressHelp: 'Dimos formato a su dirección como la espera el servicio postal. Usar esta versión nos ayuda a encontrar su historial de crédito.',
+        youEntered: 'Usted ingresó',
+        suggested: 'Sugerida',
+        useSuggested: 'Usar la dirección sugerida',
+        keepEntered: 'Mantener lo que ingresé',
+        relationship: 'Relación con el cliente',
+        selectRelationship: 'Seleccione la relación',
+        selectState: 'Seleccione el estado',
+        selectOption: 'Seleccione una opción',
+        correctErrors: 'Corrija lo siguiente antes de enviar:',
+        loading: 'Cargando',
+        back: 'Atrás',
+        next: 'Siguiente',
+        submit: 'Enviar solicitud',
+        saveForLater: 'Guardar y terminar más tarde',
+        footer: 'Aproveche al máximo su día.',
+        showSsn: 'Mostrar número de Seguro Social',
+        hideSsn: 'Ocultar número de Seguro Social',
+        draftSaved: 'Guardamos su progreso. Enviamos un enlace para terminar más tarde a la dirección de correo electrónico que tenemos registrada.',
+        draftMissingAccount: 'No se puede guardar: al enlace de la solicitud le falta la cuenta.',
+        saveFailed: 'Ocurrió un error al guardar el formulario.',
+        savedTitle: 'Guardado',
+        errorTitle: 'Error',
+        required: {
+            relationship: 'La relación con el cliente es obligatoria.',
+            firstName: 'El nombre es obligatorio.',
+            lastName: 'El apellido es obligatorio.',
+            birthdate: 'La fecha de nacimiento es obligatoria.',
+            mobilePhone: 'El teléfono celular es obligatorio.',
+            socialSecurityNumber: 'El número de Seguro Social es obligatorio.',
+            email: 'El correo electrónico es obligatorio.',
+            street: 'La dirección es obligatoria.',
+            city: 'La ciudad es obligatoria.',
+            state: 'El estado es obligatorio.',
+            postalCode: 'El código postal es obligatorio.',
+            annualIncome: 'Los ingresos son obligatorios.'
+        },
+        steps: {
+            identity: 'Identidad',
+            contact: 'Contacto',
+            address: 'Dirección',
+            income: 'Ingresos'
+        },
+        relationships: {
+            Parent: 'Padre o madre',
+            Spouse: 'Cónyuge',
+            Friend: 'Amigo(a)',
+            Employer: 'Empleador'
+        },
+        fields: {
+            firstName: 'Nombre',
+            middleName: 'Segundo nombre',
+            lastName: 'Apellido',
+            birthdate: 'Fecha de nacimiento',
+            mobilePhone: 'Teléfono celular',
+            socialSecurityNumber: 'Número de Seguro Social',
+            email: 'Correo electrónico',
+            street: 'Dirección',
+            city: 'Ciudad',
+            state: 'Estado',
+            postalCode: 'Código postal',
+            annualIncome: 'Ingresos anuales del hogar'
+        }
+    }
+};
@@ -9,9 +9,56 @@ import { FlowNavigationNextEvent } from 'lightning/flowSupport';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { getPicklistValues } from 'lightning/uiObjectInfoApi';
 import STATE_FIELD from '@salesforce/schema/Account.State_A__c';
-import createThirdPartyAccountSimple from '@salesforce/apex/CustomThirdPartyController.createThirdPartyAccountSimple';
+import submitThirdPartyApplication from '@salesforce/apex/CustomThirdPartyController.submitThirdPartyApplication';
 import getParentAccountId18 from '@salesforce/apex/CustomThirdPartyController.getParentAccountId18';
+import saveThirdPartyDraft from '@salesforce/apex/CustomThirdPartyController.saveThirdPartyDraft';
+import loadThirdPartyDraft from '@salesforce/apex/CustomThirdPartyController.loadThirdPartyDraft';
+import deleteThirdPartyDraft from '@salesforce/apex/CustomThirdPartyController.deleteThirdPartyDraft';
+import verifyAddress from '@salesforce/apex/CustomThirdPartyController.verifyAddress';
+import getThirdPartyFormDefinition from '@salesforce/apex/CustomThirdPartyController.getThirdPartyFormDefinition';
 import MFL_TopFullLogo from '@salesforce/resourceUrl/MFL_TopFullBlack';
+import {
+    DEFAULT_FORM_FIELDS,
+    VALIDATION_RULES,
+    RELATIONSHIP_RULE,
+    RELATIONSHIP_TYPES,
+    buildValidationRules,
+    validateField
+} from 'c/tpp_formValidation';
+import { applyMask, normalizeSsn, normalizePhone, normalizeCurrency } from 'c/tpp_inputMask';
+import { initialLanguage, normalizeLanguage, rememberLanguage, translate } from 'c/tpp_i18n';
+import { STRINGS } from './labels';
+
+/**
+ * Wizard mode steps, in order. Fields come from the form definition's `step`; fields
+ * without a known step go on the last one. Each step is validated on its own before moving on.
+ */
+const WIZARD_STEPS = [
+    { value: 'identity', label: 'Identity' },
+    { value: 'contact', label: 'Contact' },
+    { value: 'address', label: 'Address' },
+    { value: 'income', label: 'Income' }
+];
+
+/**
+ * Fields with hand-built markup in the template; anything else in the definition
+ * is rendered generically in the "additional fields" section
+ */
+const BUILT_IN_FIELDS = DEFAULT_FORM_FIELDS.map(field => field.fieldKey);
+
+/**
+ * lightning-input type for each definition type (ssn/currency are masked text inputs)
+ */
+const INPUT_TYPES = {
+    text: 'text',
+    date: 'date',
+    email: 'email',
+    tel: 'tel',
+    number: 'number',
+    currency: 'text',
+    ssn: 'text',
+    checkbox: 'checkbox'
+};
 
 export default class SsThirdPartyApplicationForm extends LightningElement {
     // === Bulletproof recordId handling ===
@@ -30,6 +77,13 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
 
     // Input properties from Flow
     @api recordTypeId;   // Third-Party Account RecordType Id
+    @api useWizard = false; // Split the form into steps (Flow screen property; single page by default)
+
+    // Applicant's language; the Flow may preset it, the toggle changes it
+    _language;
+    @api
+    get language() { return this._language; }
+    set language(value) { this._language = normalizeLanguage(value) || this._language; }
 
     // Output properties back to Flow
     @api thirdPartyId;    // New Third-Party Account Id (Flow output)
@@ -37,8 +91,18 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
 
     // Private reactive properties
     @track errorMessage = '';
+    @track validationErrors = [];
     @track isLoading = false;
+    @track isSavingDraft = false;
+    @track duplicateCandidates = [];
+    @track currentStepIndex = 0;
+    @track addressSuggestion = null;
     @track stateOptions = [];
+    @track formFields = DEFAULT_FORM_FIELDS;
+    validationRules = { ...VALIDATION_RULES, relationship: RELATIONSHIP_RULE };
+    showSsn = false;
+    resumeToken;
+    pendingAccountData = null; // Submitted data awaiting duplicate confirmation
 
     @wire(getPicklistValues, { recordTypeId: '$recordTypeId', fieldApiName: STATE_FIELD })
     wiredStatePicklistValues({ error, data }) {
@@ -50,8 +114,31 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
         }
     }
 
+    /**
+     * @description Loads the admin-configured form definition (Third_Party_Form_Field__mdt);
+     * the built-in definition stays in place if it can't be loaded
+     */
+    @wire(getThirdPartyFormDefinition)
+    wiredFormDefinition({ error, data }) {
+        if (data && data.length) {
+            this.formFields = data;
+            this.validationRules = { ...buildValidationRules(data), relationship: RELATIONSHIP_RULE };
+            const withNewFields = { ...this.formData };
+            data.forEach(field => {
+                if (!Object.prototype.hasOwnProperty.call(withNewFields, field.fieldKey)) {
+                    withNewFields[field.fieldKey] = field.type === 'checkbox' ? false : '';
+                }
+            });
+            this.formData = withNewFields;
+            console.log('Form definition loaded:', data.map(f => f.fieldKey).join(', '));
+        } else if (error) {
+            console.error('Error loading form definition, using built-in fields', error);
+        }
+    }
+
     // Form data object
     @track formData = {
+        relationship: '',
         firstName: '',
         middleName: '',
         lastName: '',
@@ -66,6 +153,25 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
         annualIncome: ''
     };
 
+    get ssnInputType() {
+        return this.showSsn ? 'text' : 'password';
+    }
+
+    get ssnToggleIcon() {
+        return this.showSsn ? 'utility:hide' : 'utility:preview';
+    }
+
+    get ssnToggleLabel() {
+        return this.showSsn ? this.t.hideSsn : this.t.showSsn;
+    }
+
+    /**
+     * @description Toggles between masked and revealed SSN display
+     */
+    toggleSsnVisibility() {
+        this.showSsn = !this.showSsn;
+    }
+
     // Static resource URL for logo
     get topLogoUrl() {
         return MFL_TopFullLogo;
@@ -75,6 +181,8 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
      * @description Component initialization
      */
     connectedCallback() {
+        this._language = initialLanguage(this._language);
+
         // If Flow didn't pass recordId, try URL param (setter will normalize)
         if (!this._recordId) {
             const fromUrl = this.getUrlParameter('recordId');
@@ -83,6 +191,13 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
             }
         }
 
+        // Resume a saved draft when the emailed link carries a token
+        const token = this.getUrlParameter('resumeToken');
+        if (token && this._recordId) {
+            this.resumeToken = token;
+            this.restoreDraft(token);
+        }
+
         console.log('=== COMPONENT INITIALIZED ===');
         console.log('- recordId (raw/backing):', this._recordId);
         console.log('- recordTypeId:', this.recordTypeId);
@@ -109,6 +224,57 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
         }
     }
 
+    /**
+     * @description Rehydrates formData from a saved draft (SSN is never saved and must be re-entered)
+     * @param {String} token Resume token from the URL
+     */
+    async restoreDraft(token) {
+        try {
+            const saved = await loadThirdPartyDraft({ parentAccountId: this._recordId, resumeToken: token });
+            const restored = { ...this.formData };
+            // Restore every saved key - admin-added fields may not be in formData yet
+            Object.keys(saved || {}).forEach(key => {
+                restored[key] = applyMask(key, saved[key]);
+            });
+            this.formData = restored;
+            console.log('Draft restored for fields:', Object.keys(saved || {}).join(', '));
+        } catch (error) {
+            console.error('Failed to restore draft:', error);
+            this.resumeToken = null;
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * @description Saves the partial application and emails a resume link
+     */
+    async handleSaveDraft() {
+        if (this.isSavingDraft || this.isLoading) {
+            return;
+        }
+        if (!this.parentAccountId) {
+            this.handleFormError(this.t.draftMissingAccount);
+            return;
+        }
+
+        this.isSavingDraft = true;
+        this.clearErrors();
+        try {
+            this.resumeToken = await saveThirdPartyDraft({
+                parentAccountId: this.parentAccountId,
+                formData: this.formData,
+                resumeToken: this.resumeToken,
+                pagePath: window.location.pathname
+            });
+            this.showSuccessToast(this.t.draftSaved);
+        } catch (error) {
+            console.error('Error saving draft:', error);
+            this.handleError(error);
+        } finally {
+            this.isSavingDraft = false;
+        }
+    }
+
     /**
      * @description Gets URL parameter value
      * @param {String} param Parameter name
@@ -122,13 +288,25 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
     }
 
     /**
-     * @description Handles input changes and updates form data
+     * @description Handles input changes, applies as-you-type masks and updates form data
      * @param {Event} event Input change event
      */
     handleInputChange(event) {
         const fieldName = event.target.name;
-        const fieldValue = event.target.value;
+        if (event.target.type === 'checkbox') {
+            this.formData = { ...this.formData, [fieldName]: event.target.checked };
+            return;
+        }
+        const fieldValue = applyMask(fieldName, event.target.value);
+        if (fieldValue !== event.target.value) {
+            event.target.value = fieldValue;
+        }
         this.formData = { ...this.formData, [fieldName]: fieldValue };
+
+        // Clear any previous custom error so the field re-validates on next submit
+        if (typeof event.target.setCustomValidity === 'function') {
+            event.target.setCustomValidity('');
+        }
     }
 
     /**
@@ -144,33 +322,102 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
             return;
         }
 
+        // Enter key on an earlier wizard step moves forward instead of submitting
+        if (this.showNextButton) {
+            this.handleNext();
+            return;
+        }
+
         if (!this.validateInputs()) {
             console.log('Form validation failed');
             return;
         }
 
-        console.log('Form validation passed, creating account...');
+        console.log('Form validation passed, verifying address...');
         this.setLoadingState(true);
         this.clearErrors();
+        this.verifyAddressThenSubmit();
+    }
+
+    /**
+     * @description Asks Apex for a standardized version of the address. If it differs from what
+     * was entered the applicant confirms it first; if verification is unavailable we submit as entered.
+     */
+    async verifyAddressThenSubmit() {
+        try {
+            const suggestion = await verifyAddress({
+                street: this.formData.street,
+                city: this.formData.city,
+                state: this.formData.state,
+                postalCode: this.formData.postalCode
+            });
+            if (suggestion?.changed) {
+                console.log('Standardized address suggested by provider:', suggestion.provider);
+                this.addressSuggestion = suggestion;
+                this.setLoadingState(false);
+                return;
+            }
+        } catch (error) {
+            console.error('Address verification unavailable, submitting as entered:', error);
+        }
+        this.submitApplication();
+    }
+
+    get hasAddressSuggestion() {
+        return this.addressSuggestion !== null;
+    }
+
+    get enteredAddressLine() {
+        return `${this.formData.street}, ${this.formData.city}, ${this.formData.state} ${this.formData.postalCode}`;
+    }
+
+    get suggestedAddressLine() {
+        const s = this.addressSuggestion;
+        return s ? `${s.street}, ${s.city}, ${s.stateCode || s.state} ${s.postalCode}` : '';
+    }
 
-        // Create account data object
-        const accountData = {
-            FirstName: this.formData.firstName,
-            MiddleName: this.formData.middleName,
-            LastName: this.formData.lastName,
-            Birthdate__c: this.formData.birthdate,
-            Social_Security_Number__c: this.formData.socialSecurityNumber,
-            PersonMobilePhone: this.formData.mobilePhone,
-            PersonEmail: this.formData.email,
-            PersonMailingStreet: this.formData.street,
-            PersonMailingCity: this.formData.city,
-            State_A__c: this.formData.state,
-            PersonMailingPostalCode: this.formData.postalCode,
-            Annual_household_income__c: this.formData.annualIncome,
-            // Only include RecordTypeId - no parent relationship
-            RecordTypeId: this.recordTypeId || 'NO_RECORD_TYPE_PROVIDED',
-            Type: 'Third Party'
-        };
+    get showForm() {
+        return !this.hasDuplicateCandidates && !this.hasAddressSuggestion;
+    }
+
+    /**
+     * @description Applicant accepted the standardized address
+     */
+    handleUseSuggestedAddress() {
+        if (this.isLoading || !this.addressSuggestion) {
+            return;
+        }
+        const { street, city, postalCode } = this.addressSuggestion;
+        this.formData = { ...this.formData, street, city, postalCode };
+        this.addressSuggestion = null;
+        this.setLoadingState(true);
+        this.submitApplication();
+    }
+
+    /**
+     * @description Applicant kept the address as typed (saved as unverified)
+     */
+    handleKeepEnteredAddress() {
+        if (this.isLoading) {
+            return;
+        }
+        this.addressSuggestion = null;
+        this.setLoadingState(true);
+        this.submitApplication();
+    }
+
+    /**
+     * @description Builds accountData from the form and sends it to Apex
+     */
+    submitApplication() {
+        // Create account data object from the form definition (masked values normalized to canonical digits)
+        const accountData = {};
+        this.formFields.forEach(field => {
+            accountData[field.accountField] = this.toAccountValue(field, this.formData[field.fieldKey]);
+        });
+        // The client link (Third_Party__c + relationship) is passed separately to Apex
+        accountData.RecordTypeId = this.recordTypeId || 'NO_RECORD_TYPE_PROVIDED';
+        accountData.Type = 'Third Party';
 
         console.log('=== ACCOUNT DATA DEBUG ===');
         console.log('RecordTypeId being sent:', accountData.RecordTypeId);
@@ -182,20 +429,70 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
     }
 
     /**
-     * @description Creates the third-party account via Apex
+     * @description Normalizes a form value for Apex based on the field's type
+     * @param {Object} field Form definition entry
+     * @param {*} value formData value
+     * @return {*} Value for accountData
+     */
+    toAccountValue(field, value) {
+        switch (field.type) {
+            case 'ssn':
+                return normalizeSsn(value);
+            case 'tel':
+                return normalizePhone(value);
+            case 'currency':
+                return normalizeCurrency(value);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * @description Submits the application via Apex. The server checks for an existing
+     * third-party record first; if it finds one the applicant confirms before anything is written.
      * @param {Object} accountData Account data to create
+     * @param {String} resolution REUSE or CREATE_NEW after the duplicate check, otherwise null
+     * @param {String} selectedAccountId Existing record confirmed by the applicant
      */
-    async createAccount(accountData) {
+    async createAccount(accountData, resolution = null, selectedAccountId = null) {
         try {
             console.log('Creating account with data:', accountData);
-            const result = await createThirdPartyAccountSimple({ accountData: accountData });
-            console.log('Account created successfully with ID:', result);
-            this.thirdPartyId = result; // result is the ID string directly
+            const result = await submitThirdPartyApplication({
+                accountData: accountData,
+                resolution: resolution,
+                selectedAccountId: selectedAccountId,
+                parentAccountId: this.parentAccountId || this.recordId || null,
+                relationship: this.formData.relationship
+            });
+            console.log('Submission result:', result?.status, result?.errorCode);
+
+            if (result.status === 'ERROR') {
+                this.applyServerErrors(result);
+                return;
+            }
+
+            if (result.status === 'NEEDS_CONFIRMATION') {
+                this.pendingAccountData = accountData;
+                this.duplicateCandidates = result.candidates || [];
+                this.setLoadingState(false);
+                return;
+            }
+
+            this.thirdPartyId = result.accountId; // new or reused Account Id
+            this.pendingAccountData = null;
+            this.duplicateCandidates = [];
             // ensure Flow gets the normalized parent Id
             this.parentAccountId = this.parentAccountId || this.recordId;
             console.log('thirdPartyId set to:', this.thirdPartyId);
             console.log('parentAccountId set to:', this.parentAccountId);
-            console.log('Third-party account created successfully!');
+            console.log('Third-party account ' + (result.status === 'REUSED' ? 'reused' : 'created') + ' successfully!');
+            if (this.resumeToken) {
+                // The application is saved either way; a leftover draft only means a stale resume offer
+                deleteThirdPartyDraft({ parentAccountId: this.parentAccountId, resumeToken: this.resumeToken }).catch((error) => {
+                    console.error('Error deleting draft:', error);
+                });
+                this.resumeToken = null;
+            }
             this.handleSuccess(result);
         } catch (error) {
             console.error('Error creating account:', error);
@@ -203,23 +500,233 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
         }
     }
 
+    get hasDuplicateCandidates() {
+        return this.duplicateCandidates.length > 0;
+    }
+
     /**
-     * @description Validates required inputs before submission
+     * @description Applicant confirmed an existing record is theirs
+     * @param {Event} event Click event from the candidate's button
+     */
+    handleReuseCandidate(event) {
+        const accountId = event.currentTarget.dataset.id;
+        if (this.isLoading || !this.pendingAccountData || !accountId) {
+            return;
+        }
+        this.setLoadingState(true);
+        this.clearErrors();
+        this.createAccount(this.pendingAccountData, 'REUSE', accountId);
+    }
+
+    /**
+     * @description Applicant said none of the matches are theirs
+     */
+    handleCreateNewRecord() {
+        if (this.isLoading || !this.pendingAccountData) {
+            return;
+        }
+        this.setLoadingState(true);
+        this.clearErrors();
+        this.createAccount(this.pendingAccountData, 'CREATE_NEW');
+    }
+
+    /**
+     * @description Returns to the form without submitting
+     */
+    handleCancelDuplicateCheck() {
+        this.pendingAccountData = null;
+        this.duplicateCandidates = [];
+    }
+
+    /**
+     * @description Validates ruled inputs, reports errors inline and builds the error banner
+     * @param {Array} fieldNames Optional subset of fields to validate (defaults to all)
      * @return {Boolean} True if validation passes
      */
-    validateInputs() {
-        console.log('=== VALIDATION DEBUG ===');
-        console.log('this.recordId:', this.recordId);
-        console.log('this.recordTypeId:', this.recordTypeId);
-        console.log('typeof recordId:', typeof this.recordId);
-        console.log('typeof recordTypeId:', typeof this.recordTypeId);
-        console.log('recordId length:', this.recordId ? this.recordId.length : 'null/undefined');
-        console.log('========================');
+    validateInputs(fieldNames) {
+        const errors = [];
+        const inputs = this.template.querySelectorAll('lightning-input, lightning-combobox');
+
+        inputs.forEach(input => {
+            const fieldName = input.name;
+            if (!this.validationRules[fieldName] || (fieldNames && !fieldNames.includes(fieldName))) {
+                return;
+            }
+            const message = validateField(fieldName, this.formData[fieldName], this.validationRules);
+            input.setCustomValidity(message || '');
+            input.reportValidity();
+            if (message) {
+                errors.push({ field: fieldName, label: this.validationRules[fieldName].label, message });
+            }
+        });
 
-        console.log('Validation passed - allowing submission with any values');
+        this.validationErrors = errors;
+        if (errors.length) {
+            console.log('Validation failed for fields:', errors.map(e => e.field).join(', '));
+            if (!fieldNames) {
+                this.goToStepForField(errors[0].field);
+            }
+            return false;
+        }
         return true;
     }
 
+    get hasValidationErrors() {
+        return this.validationErrors.length > 0;
+    }
+
+    // === Wizard mode ===
+
+    get isWizard() {
+        return this.useWizard === true || this.useWizard === 'true';
+    }
+
+    get wizardSteps() {
+        return WIZARD_STEPS.map(step => ({ ...step, label: this.t.steps[step.value] || step.label }));
+    }
+
+    get currentStepValue() {
+        return WIZARD_STEPS[this.currentStepIndex].value;
+    }
+
+    get showBackButton() {
+        return this.isWizard && this.currentStepIndex > 0;
+    }
+
+    get showNextButton() {
+        return this.isWizard && this.currentStepIndex < WIZARD_STEPS.length - 1;
+    }
+
+    /**
+     * @description Index of the wizard step a field belongs to (last step when unknown)
+     * @param {Object} field Form definition entry
+     * @return {Number} Step index
+     */
+    stepIndexOf(field) {
+        const index = WIZARD_STEPS.findIndex(step => step.value === field.step);
+        return index >= 0 ? index : WIZARD_STEPS.length - 1;
+    }
+
+    /**
+     * @description formData keys shown on a wizard step
+     * @param {Number} stepIndex Step index
+     * @return {Array} Field keys
+     */
+    fieldsForStep(stepIndex) {
+        const fields = this.formFields.filter(field => this.stepIndexOf(field) === stepIndex).map(field => field.fieldKey);
+        // Relationship to the client is asked first, with identity
+        return stepIndex === 0 ? ['relationship', ...fields] : fields;
+    }
+
+    get relationshipOptions() {
+        return RELATIONSHIP_TYPES.map(type => ({ label: this.t.relationships[type] || type, value: type }));
+    }
+
+    get fieldLabel() {
+        const labels = {};
+        this.formFields.forEach(field => {
+            labels[field.fieldKey] = this.t.fields[field.fieldKey] || field.label;
+        });
+        return labels;
+    }
+
+    // === Language ===
+
+    get t() {
+        return translate(STRINGS, this._language);
+    }
+
+    handleLanguageChange(event) {
+        this._language = event.detail.value;
+        rememberLanguage(this._language);
+    }
+
+    get fieldRequired() {
+        const required = {};
+        this.formFields.forEach(field => {
+            required[field.fieldKey] = field.required === true;
+        });
+        return required;
+    }
+
+    /**
+     * @description Admin-added fields (not in the hand-built markup), rendered generically
+     */
+    get additionalFields() {
+        const visibleFields = this.isWizard ? this.fieldsForStep(this.currentStepIndex) : null;
+        return this.formFields
+            .filter(field => !BUILT_IN_FIELDS.includes(field.fieldKey))
+            .map(field => ({
+                key: field.fieldKey,
+                label: field.label,
+                required: field.required === true,
+                isPicklist: field.type === 'picklist',
+                isCheckbox: field.type === 'checkbox',
+                inputType: INPUT_TYPES[field.type] || 'text',
+                options: (field.options || []).map(option => ({ label: option, value: option })),
+                value: this.formData[field.fieldKey],
+                className: 'slds-form-element slds-m-bottom_small'
+                    + (visibleFields && !visibleFields.includes(field.fieldKey) ? ' slds-hide' : '')
+            }));
+    }
+
+    /**
+     * @description Per-field wrapper classes for the built-in inputs. Fields missing from the
+     * form definition, and in wizard mode fields outside the current step, are hidden
+     * (not removed) so formData, masks and inline errors survive step changes
+     */
+    get fieldClass() {
+        const configuredFields = ['relationship', ...this.formFields.map(field => field.fieldKey)];
+        const visibleFields = this.isWizard ? this.fieldsForStep(this.currentStepIndex) : configuredFields;
+        const classes = {};
+        ['relationship', ...BUILT_IN_FIELDS].forEach(fieldName => {
+            let cssClass = 'slds-form-element slds-m-bottom_small';
+            if (fieldName === 'socialSecurityNumber') {
+                cssClass += ' ssn-field';
+            }
+            if (!visibleFields.includes(fieldName)) {
+                cssClass += ' slds-hide';
+            }
+            classes[fieldName] = cssClass;
+        });
+        return classes;
+    }
+
+    /**
+     * @description Validates the current step only, then advances
+     */
+    handleNext() {
+        if (!this.validateInputs(this.fieldsForStep(this.currentStepIndex))) {
+            console.log('Step validation failed:', this.currentStepValue);
+            return;
+        }
+        this.clearErrors();
+        this.currentStepIndex = Math.min(this.currentStepIndex + 1, WIZARD_STEPS.length - 1);
+    }
+
+    handleBack() {
+        this.validationErrors = [];
+        this.currentStepIndex = Math.max(this.currentStepIndex - 1, 0);
+    }
+
+    /**
+     * @description Moves the wizard to the step that contains a field (e.g. a server-side error)
+     * @param {String} fieldName formData key
+     */
+    goToStepForField(fieldName) {
+        if (!this.isWizard) {
+            return;
+        }
+        if (fieldName === 'relationship') {
+            this.currentStepIndex = 0;
+            return;
+        }
+        const field = this.formFields.find(f => f.fieldKey === fieldName);
+        if (field) {
+            this.currentStepIndex = this.stepIndexOf(field);
+        }
+    }
+
     /**
      * @description Handles successful account creation
      * @param {Object} result Success result with new record details
@@ -236,6 +743,53 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
         }
     }
 
+    /**
+     * @description Shows an ERROR envelope from submitThirdPartyApplication: field errors go
+     * inline on the matching input (and in the summary banner), anything else in the error box
+     * @param {Object} result Envelope with errorCode, message and fieldErrors
+     */
+    applyServerErrors(result) {
+        this.setLoadingState(false);
+        console.log('Server rejected submission with code:', result.errorCode);
+
+        // A rejected duplicate choice sends the applicant back to the form
+        if (result.errorCode === 'DUPLICATE') {
+            this.handleCancelDuplicateCheck();
+        }
+
+        const fieldErrors = result.fieldErrors || {};
+        const errors = [];
+        let firstInvalid = null;
+        const formFieldByAccountField = { Relationship__c: 'relationship' };
+        this.formFields.forEach(field => {
+            formFieldByAccountField[field.accountField] = field.fieldKey;
+        });
+        Object.keys(fieldErrors).forEach(accountField => {
+            const fieldName = formFieldByAccountField[accountField];
+            const input = fieldName && this.template.querySelector(`[name="${fieldName}"]`);
+            if (!input) {
+                return;
+            }
+            input.setCustomValidity(fieldErrors[accountField]);
+            input.reportValidity();
+            firstInvalid = firstInvalid || input;
+            errors.push({
+                field: fieldName,
+                label: this.validationRules[fieldName]?.label || fieldName,
+                message: fieldErrors[accountField]
+            });
+        });
+
+        this.validationErrors = errors;
+        if (firstInvalid) {
+            this.goToStepForField(firstInvalid.name);
+            // Focus after the step re-renders the field visible
+            Promise.resolve().then(() => firstInvalid.focus());
+        } else {
+            this.handleFormError(result.message || this.t.saveFailed);
+        }
+    }
+
     /**
      * @description Handles form errors
      * @param {Error} error Error from account creation
@@ -243,7 +797,7 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
     handleError(error) {
         this.setLoadingState(false);
 
-        let errorMsg = 'An error occurred while saving the form.';
+        let errorMsg = this.t.saveFailed;
         if (error?.body?.message) {
             errorMsg = error.body.message;
         } else if (error?.message) {
@@ -285,6 +839,7 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
      */
     clearErrors() {
         this.errorMessage = '';
+        this.validationErrors = [];
     }
 
     /**
@@ -296,13 +851,25 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
     }
    
 
+    /**
+     * @description Shows success toast message
+     * @param {String} message Success message
+     */
+    showSuccessToast(message) {
+        this.dispatchEvent(new ShowToastEvent({
+            title: this.t.savedTitle,
+            message: message,
+            variant: 'success'
+        }));
+    }
+
     /**
      * @description Shows error toast message
      * @param {String} message Error message
      */
     showErrorToast(message) {
         const event = new ShowToastEvent({
-            title: 'Error',
+            title: this.t.errorTitle,
             message: message,
             variant: 'error'
         });
@@ -310,23 +877,10 @@ export default class SsThirdPartyApplicationForm extends LightningElement {
     }
 
     /**
-     * @description Checks if all required fields are filled (controls Submit visibility)
-     * Render the Submit button with `if:true={isFormValid}` in the HTML.
+     * @description Checks if all required fields in the form definition are filled (controls Submit)
      */
     get isFormValid() {
-        const requiredFields = [
-            'firstName',
-            'lastName',
-            'birthdate',
-            'socialSecurityNumber',
-            'mobilePhone',
-            'email',
-            'street',
-            'city',
-            'state',
-            'postalCode',
-            'annualIncome'
-        ];
+        const requiredFields = ['relationship', ...this.formFields.filter(f => f.required === true).map(f => f.fieldKey)];
         return requiredFields.every(field => {
             const value = this.formData[field];
             return value !== null && value !== undefined && value.toString().trim() !== '';
@@ -0,0 +1,48 @@
+/**
+ * @description Screen text for tpp_consentForm by language. The consent body and clause labels
+ * come from the template version served in that language.
+ */
+export const STRINGS = {
+    en: {
+        hideConsent: 'Hide Consent Details',
+        readConsent: 'Read Full Consent',
+        scrollToEnable: 'Scroll to the end of the consent to enable the checkboxes.',
+        openToEnable: 'Open and read the full consent to enable the checkboxes.',
+        seeSection: 'See:',
+        explanation: 'By checking the required boxes and clicking "I AGREE", you confirm you have read the consent above and agree to each item you checked.',
+        agree: 'I AGREE',
+        recorded: 'Thank you. Your consent has been recorded.',
+        downloadReceipt: 'Download your consent receipt (PDF)',
+        continueLabel: 'Continue',
+        withdraw: 'Withdraw my authorization',
+        withdrawn: 'Your authorization has been withdrawn. No credit check will be run unless you consent again.',
+        shownInEnglish: 'This consent is not yet available in your language and is shown in English.',
+        notConfigured: 'Active Consent Template is not configured.',
+        initFailed: 'Failed to initialize consent screen.',
+        accountMissing: 'Account Id is missing.',
+        templateMissing: 'Consent template not available.',
+        saveFailed: 'Could not save consent. Please try again.',
+        withdrawFailed: 'Could not withdraw consent. Please contact us to withdraw it.'
+    },
+    es: {
+        hideConsent: 'Ocultar detalles del consentimiento',
+        readConsent: 'Leer el consentimiento completo',
+        scrollToEnable: 'Desplácese hasta el final del consentimiento para habilitar las casillas.',
+        openToEnable: 'Abra y lea el consentimiento completo para habilitar las casillas.',
+        seeSection: 'Ver:',
+        explanation: 'Al marcar las casillas obligatorias y hacer clic en "ACEPTO", usted confirma que ha leído el consentimiento anterior y que acepta cada punto que marcó.',
+        agree: 'ACEPTO',
+        recorded: 'Gracias. Su consentimiento ha sido registrado.',
+        downloadReceipt: 'Descargue el comprobante de su consentimiento (PDF)',
+        continueLabel: 'Continuar',
+        withdraw: 'Retirar mi autorización',
+        withdrawn: 'Su autorización ha sido retirada. No se realizará ninguna verificación de crédito a menos que vuelva a dar su consentimiento.',
+        shownInEnglish: 'Este consentimiento aún no está disponible en español y se muestra en inglés.',
+        notConfigured: 'La plantilla de consentimiento activa no está configurada.',
+        initFailed: 'No se pudo cargar la pantalla de consentimiento.',
+        accountMissing: 'Falta el Id de la cuenta.',
+        templateMissing: 'La plantilla de consentimiento no está disponible.',
+        saveFailed: 'No se pudo guardar el consentimiento. Inténtelo de nuevo.',
+        withdrawFailed: 'No se pudo retirar el consentimiento. Comuníquese con nosotros para retirarlo.'
+    }
+};
@@ -2,15 +2,17 @@ import { LightningElement, api } from 'lwc';
 import { FlowNavigationNextEvent, FlowAttributeChangeEvent } from 'lightning/flowSupport';
 
 import getActiveTemplate from '@salesforce/apex/ConsentController.getActiveTemplate';
-import saveConsentWithSnapshot from '@salesforce/apex/ConsentController.saveConsentWithSnapshot';
+import saveConsent from '@salesforce/apex/ConsentController.saveConsent';
 import getParentAccountId18 from '@salesforce/apex/CustomThirdPartyController.getParentAccountId18';
+import getConsentReceiptUrl from '@salesforce/apex/ConsentController.getConsentReceiptUrl';
+import withdrawConsent from '@salesforce/apex/ConsentController.withdrawConsent';
+import { initialLanguage, normalizeLanguage, rememberLanguage, translate } from 'c/tpp_i18n';
+import { STRINGS } from './labels';
 
 
 export default class ConsentForm extends LightningElement {
-    // Checkboxes
-    consentChecked = false;
-    termsChecked = false;
-    creditConsentChecked = false;
+    // One checkbox per clause declared by the template: { key, label, required, bodySection, checked }
+    clauses = [];
     showConsent = true;
 
     // Flow I/O
@@ -18,79 +20,224 @@ export default class ConsentForm extends LightningElement {
     @api accountId;       
     @api parentAccountId; 
     @api thirdPartyAccountId;
+    @api requireScrollToRead = false; // agree checkboxes stay disabled until the body is scrolled to the end
+    serverRequiresScroll = false; // the configured mode the server enforces on save
+
+    // Applicant's language; the Flow may preset it, the toggle changes it
+    _language;
+    @api
+    get language() { return this._language; }
+    set language(value) { this._language = normalizeLanguage(value) || this._language; }
 
     // Template state
     templateVersion;
     templateHtml;
+    templateHash; // SHA-256 of the body as served; echoed back so the server can verify the snapshot
+    servedLanguage; // language of the version served (English when the requested one has none)
+    addendumIds = []; // state addenda composed into the body, echoed back on save
+
+    // PDF receipt offered after agreeing
+    receiptUrl;
+    consentEventId;
+    withdrawn = false;
+
+    // Reading telemetry recorded with the evidence
+    scrollPercent = 0;
+    _shownAt;
 
     // UX
     isSaving = false;
     errorMsg = '';
 
     async connectedCallback() {
+        this._language = initialLanguage(this._language);
         try {
             // Resolve accountId if not provided but parentAccountId is
             if (!this.accountId && this.parentAccountId) {
                 this.accountId = await getParentAccountId18({ recordId: this.parentAccountId });
             }
-
-            // Load active consent template
-            const tpl = await getActiveTemplate();
-            if (!tpl || !tpl.Consent_Body__c || !tpl.Version__c) {
-                this.errorMsg = 'Active Consent Template is not configured.';
-                return;
-            }
-             this.templateVersion = String(tpl.Version__c);
-    const body = tpl.Consent_Body__c;
-    this.templateHtml = (body == null) ? '' : String(body);
+            await this.loadTemplate();
+            this._shownAt = Date.now();
         } catch (e) {
             // eslint-disable-next-line no-console
             console.error('Init error', e);
-            this.errorMsg = 'Failed to initialize consent screen.';
+            this.errorMsg = this.t.initFailed;
+        }
+    }
+
+    // Active consent template in the applicant's language, with the addenda for their state
+    async loadTemplate() {
+        const tpl = await getActiveTemplate({
+            thirdPartyAccountId: this.thirdPartyAccountId,
+            accountId: this.accountId,
+            language: this._language
+        });
+        if (!tpl || !tpl.body || !tpl.version) {
+            this.errorMsg = this.t.notConfigured;
+            return;
+        }
+        this.templateVersion = String(tpl.version);
+        this.templateHtml = String(tpl.body);
+        this.templateHash = tpl.bodyHash;
+        this.servedLanguage = tpl.language;
+        this.addendumIds = tpl.addendumIds || [];
+        this.serverRequiresScroll = tpl.requireScrollToRead === true;
+        this.clauses = (tpl.clauses || []).map((c) => ({
+            key: c.key,
+            label: c.label,
+            required: c.required !== false,
+            bodySection: c.bodySection,
+            checked: false
+        }));
+    }
+
+    // New text: answers and scroll progress start over; time on screen keeps counting
+    async handleLanguageChange(e) {
+        this._language = e.detail.value;
+        rememberLanguage(this._language);
+        this.errorMsg = '';
+        this.scrollPercent = 0;
+        try {
+            await this.loadTemplate();
+            this._syncValid();
+        } catch (err) {
+            // eslint-disable-next-line no-console
+            console.error('Consent language change failed', err);
+            this.errorMsg = this.t.initFailed;
+        }
+    }
+
+    get t() {
+        return translate(STRINGS, this._language);
+    }
+    get shownInEnglish() {
+        return !!this.servedLanguage && this.servedLanguage !== this._language;
+    }
+    get languageLocked() {
+        return this.isSaving || !!this.receiptUrl;
+    }
+
+    renderedCallback() {
+        // A body short enough to need no scrolling counts as read once it is shown
+        if (!this.templateHtml) return;
+        this.measureScroll(this.template.querySelector('.consent-body'));
+    }
+
+    handleConsentScroll(e) {
+        this.measureScroll(e.target);
+    }
+
+    // Furthest point reached, so scrolling back up never lowers the figure
+    measureScroll(el) {
+        if (!el || !el.scrollHeight) return;
+        const atEnd = el.scrollTop + el.clientHeight >= el.scrollHeight - 2;
+        const percent = atEnd ? 100 : Math.floor(((el.scrollTop + el.clientHeight) / el.scrollHeight) * 100);
+        if (percent > this.scrollPercent) {
+            this.scrollPercent = percent;
         }
     }
 
+    get hasReadToEnd() {
+        return this.scrollPercent >= 100;
+    }
+    get clausesLocked() {
+        return (this.requireScrollToRead || this.serverRequiresScroll) && !this.hasReadToEnd;
+    }
+    get scrollHint() {
+        return this.showConsent ? this.t.scrollToEnable : this.t.openToEnable;
+    }
+
+    get requiredAccepted() {
+        return this.clauses.every((c) => !c.required || c.checked);
+    }
     get buttonDisabled() {
-        return this.isSaving || !(this.consentChecked && this.termsChecked && this.creditConsentChecked);
+        return this.isSaving || this.clausesLocked || !this.requiredAccepted;
     }
     get consentToggleLabel() {
-        return this.showConsent ? 'Hide Consent Details' : 'Read Full Consent';
+        return this.showConsent ? this.t.hideConsent : this.t.readConsent;
     }
     toggleConsent() { this.showConsent = !this.showConsent; }
 
-    handleConsentChange(e){ this.consentChecked = e.target.checked; this._syncValid(); }
-    handleTermsChange(e){ this.termsChecked = e.target.checked; this._syncValid(); }
-    handleCreditConsentChange(e){ this.creditConsentChecked = e.target.checked; this._syncValid(); }
+    handleClauseChange(e) {
+        const key = e.target.dataset.key;
+        const checked = e.target.checked;
+        this.clauses = this.clauses.map((c) => (c.key === key ? { ...c, checked } : c));
+        this._syncValid();
+    }
 
     _syncValid() {
-        this.isConsentValid = (this.consentChecked && this.termsChecked && this.creditConsentChecked);
+        this.isConsentValid = this.requiredAccepted;
         this.dispatchEvent(new FlowAttributeChangeEvent('isConsentValid', this.isConsentValid));
     }
 
     async handleAgree() {
         this.errorMsg = '';
-        if (!this.consentChecked || !this.termsChecked || !this.creditConsentChecked) return;
-        if (!this.accountId) { this.errorMsg = 'Account Id is missing.'; return; }
-        if (!this.templateVersion) { this.errorMsg = 'Consent template not available.'; return; }
+        if (this.clausesLocked || !this.requiredAccepted) return;
+        if (!this.accountId) { this.errorMsg = this.t.accountMissing; return; }
+        if (!this.templateVersion) { this.errorMsg = this.t.templateMissing; return; }
 
         this.isSaving = true;
         try {
-            await saveConsentWithSnapshot({
+            const clauseAnswers = {};
+            this.clauses.forEach((c) => { clauseAnswers[c.key] = c.checked; });
+            const consentEventId = await saveConsent({
                 accountId: this.accountId,
+                thirdPartyAccountId: this.thirdPartyAccountId,
                 version: this.templateVersion,
                 htmlSnapshot: this.templateHtml,
-                acceptedDisclosures: this.consentChecked,
-                acceptedTerms: this.termsChecked,
-                acceptedFCRA: this.creditConsentChecked,
-                thirdPartyAccountId: this.thirdPartyAccountId
+                bodyHash: this.templateHash,
+                userAgent: navigator.userAgent,
+                clauseAnswers,
+                addendumIds: this.addendumIds,
+                reading: {
+                    secondsOnScreen: this._shownAt ? Math.round((Date.now() - this._shownAt) / 1000) : null,
+                    scrollPercent: this.scrollPercent
+                },
+                language: this.servedLanguage
             });
-            this.dispatchEvent(new FlowNavigationNextEvent());
+            this.consentEventId = consentEventId;
+            this.receiptUrl = await this.loadReceiptUrl(consentEventId);
+            if (!this.receiptUrl) {
+                this.dispatchEvent(new FlowNavigationNextEvent());
+            }
         } catch (e) {
             // eslint-disable-next-line no-console
             console.error('Consent save failed', e);
-            this.errorMsg = 'Could not save consent. Please try again.';
+            this.errorMsg = this.t.saveFailed;
         } finally {
             this.isSaving = false;
         }
     }
+
+    // Consent is already saved; a missing receipt just means we move straight on
+    async loadReceiptUrl(consentEventId) {
+        try {
+            return await getConsentReceiptUrl({ consentEventId, accountId: this.accountId });
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.error('Consent receipt lookup failed', e);
+            return null;
+        }
+    }
+
+    // The applicant changed their mind: withdraw the FCRA authorization just given
+    async handleWithdraw() {
+        this.errorMsg = '';
+        this.isSaving = true;
+        try {
+            await withdrawConsent({ consentEventId: this.consentEventId, accountId: this.accountId, reason: null });
+            this.withdrawn = true;
+            this.dispatchEvent(new FlowAttributeChangeEvent('isConsentValid', false));
+        } catch (e) {
+            // eslint-disable-next-line no-console
+            console.error('Consent withdrawal failed', e);
+            this.errorMsg = this.t.withdrawFailed;
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleContinue() {
+        this.dispatchEvent(new FlowNavigationNextEvent());
+    }
 }
@@ -0,0 +1,94 @@
+import { LightningElement, api } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { notifyRecordUpdateAvailable } from 'lightning/uiRecordApi';
+
+import getConsentStatus from '@salesforce/apex/ConsentRevocationController.getConsentStatus';
+import revokeConsent from '@salesforce/apex/ConsentRevocationController.revokeConsent';
+
+/**
+ * Consent_Event__c record panel: shows whether the FCRA authorization is still live and lets
+ * staff record a revocation received by phone, email, mail or in person.
+ */
+export default class TppConsentRevocation extends LightningElement {
+    @api recordId;
+
+    status;
+    channel;
+    reason = '';
+    isLoading = false;
+    errorMessage = '';
+
+    connectedCallback() {
+        this.loadStatus();
+    }
+
+    async loadStatus() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            this.status = await getConsentStatus({ consentEventId: this.recordId });
+        } catch (error) {
+            console.error('[TppConsentRevocation] getConsentStatus error:', error);
+            this.errorMessage = this.reduceError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    get isRevoked() {
+        return !!(this.status && this.status.revoked);
+    }
+
+    get isLive() {
+        return !!this.status && !this.status.revoked;
+    }
+
+    get revokedVia() {
+        const { channel, revokedByName } = this.status;
+        return revokedByName ? `via ${channel}, recorded by ${revokedByName}` : `via ${channel}`;
+    }
+
+    get channelOptions() {
+        return (this.status ? this.status.channels : []).map((c) => ({ label: c, value: c }));
+    }
+
+    get revokeDisabled() {
+        return this.isLoading || !this.channel || !this.reason.trim();
+    }
+
+    handleChannelChange(event) {
+        this.channel = event.detail.value;
+    }
+
+    handleReasonChange(event) {
+        this.reason = event.detail.value || '';
+    }
+
+    async handleRevoke() {
+        this.isLoading = true;
+        try {
+            this.status = await revokeConsent({
+                consentEventId: this.recordId,
+                reason: this.reason.trim(),
+                channel: this.channel
+            });
+            this.reason = '';
+            this.channel = null;
+            this.dispatchEvent(new ShowToastEvent({
+                title: 'Consent revoked',
+                message: 'No further credit checks will run for this third party without new consent.',
+                variant: 'success'
+            }));
+            notifyRecordUpdateAvailable([{ recordId: this.recordId }]);
+        } catch (error) {
+            console.error('[TppConsentRevocation] revokeConsent error:', error);
+            this.dispatchEvent(new ShowToastEvent({ title: 'Error', message: this.reduceError(error), variant: 'error' }));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    reduceError(error) {
+        return (error && error.body && error.body.message) || (error && error.message) || 'Unexpected error.';
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Token-level HTML diff for consent template versions.
+ * Tags and words are compared as tokens (Myers O(ND) algorithm); changed words are wrapped in
+ * <del>/<ins> and the markup of the newer version is kept, so the result renders like the
+ * new version with edits highlighted.
+ */
+
+const TOKEN_PATTERN = /<[^>]+>|\s+|[^<\s]+/g;
+
+// Beyond this many edits the change is shown as a whole-block replacement
+const MAX_EDIT_DISTANCE = 1500;
+
+const EQUAL = 'equal';
+const INSERT = 'insert';
+const DELETE = 'delete';
+
+export function tokenize(html) {
+    return (html || '').match(TOKEN_PATTERN) || [];
+}
+
+function isTag(token) {
+    return token.charAt(0) === '<';
+}
+
+/**
+ * Shortest edit script between two token lists.
+ * trace[d] keeps only the diagonals reachable in d edits, so memory is O(D^2).
+ */
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const trace = [];
+    let v = new Map([[1, 0]]);
+
+    for (let d = 0; d <= Math.min(n + m, MAX_EDIT_DISTANCE); d++) {
+        trace.push(v);
+        const next = new Map();
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v.get(k - 1) < v.get(k + 1))) ? v.get(k + 1) : v.get(k - 1) + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            next.set(k, x);
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+        v = next;
+    }
+    return null;
+}
+
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && v.get(k - 1) < v.get(k + 1))) ? k + 1 : k - 1;
+        const prevX = v.get(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ op: EQUAL, token: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ op: INSERT, token: b[y - 1] });
+            } else {
+                ops.push({ op: DELETE, token: a[x - 1] });
+            }
+        }
+        x = prevX;
+        y = prevY;
+    }
+    return ops.reverse();
+}
+
+/**
+ * @param {string[]} a old tokens
+ * @param {string[]} b new tokens
+ * @returns {{op: string, token: string}[]}
+ */
+export function diffTokens(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const middle = myers(middleA, middleB) || [
+        ...middleA.map((token) => ({ op: DELETE, token })),
+        ...middleB.map((token) => ({ op: INSERT, token }))
+    ];
+
+    return [
+        ...a.slice(0, start).map((token) => ({ op: EQUAL, token })),
+        ...middle,
+        ...a.slice(endA).map((token) => ({ op: EQUAL, token }))
+    ];
+}
+
+/**
+ * @param {string} oldHtml
+ * @param {string} newHtml
+ * @returns {{html: string, insertions: number, deletions: number}}
+ */
+export function htmlDiff(oldHtml, newHtml) {
+    const ops = diffTokens(tokenize(oldHtml), tokenize(newHtml));
+    let html = '';
+    let openTag = null;
+    let insertions = 0;
+    let deletions = 0;
+
+    const close = () => {
+        if (openTag) {
+            html += `</${openTag}>`;
+            openTag = null;
+        }
+    };
+
+    ops.forEach(({ op, token }) => {
+        if (isTag(token)) {
+            // Markup from the old version is dropped; the new version's structure is kept
+            close();
+            if (op !== DELETE) {
+                html += token;
+            }
+            return;
+        }
+        const wrapper = op === INSERT ? 'ins' : op === DELETE ? 'del' : null;
+        if (wrapper !== openTag) {
+            close();
+            if (wrapper) {
+                html += `<${wrapper}>`;
+                openTag = wrapper;
+            }
+        }
+        if (op === INSERT && token.trim()) insertions++;
+        if (op === DELETE && token.trim()) deletions++;
+        html += token;
+    });
+    close();
+
+    return { html, insertions, deletions };
+}
@@ -0,0 +1,228 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getVersions from '@salesforce/apex/ConsentTemplateAdminController.getVersions';
+import createDraft from '@salesforce/apex/ConsentTemplateAdminController.createDraft';
+import publish from '@salesforce/apex/ConsentTemplateAdminController.publish';
+import cancelSchedule from '@salesforce/apex/ConsentTemplateAdminController.cancelSchedule';
+import retire from '@salesforce/apex/ConsentTemplateAdminController.retire';
+import { htmlDiff } from './htmlDiff';
+
+const ACTIONS = {
+    DRAFT: { label: 'New draft from this version', name: 'draft' },
+    PUBLISH: { label: 'Review and publish', name: 'publish' },
+    CANCEL: { label: 'Cancel schedule', name: 'cancel' },
+    RETIRE: { label: 'Retire', name: 'retire' }
+};
+
+const COLUMNS = [
+    { label: 'Version', fieldName: 'Version__c' },
+    { label: 'Status', fieldName: 'Status__c' },
+    { label: 'State', fieldName: 'State__c' },
+    { label: 'Language', fieldName: 'Language__c' },
+    {
+        label: 'Effective', fieldName: 'Effective_Date__c', type: 'date',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    {
+        label: 'Retired', fieldName: 'Retired_Date__c', type: 'date',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    { label: 'Last Modified By', fieldName: 'lastModifiedByName' },
+    { type: 'action', typeAttributes: { rowActions: (row, done) => done(rowActionsFor(row)) } }
+];
+
+function rowActionsFor(row) {
+    switch (row.Status__c) {
+        case 'Draft':
+            return [ACTIONS.PUBLISH, ACTIONS.DRAFT];
+        case 'Scheduled':
+            return [ACTIONS.CANCEL, ACTIONS.RETIRE, ACTIONS.DRAFT];
+        case 'Active':
+            return [ACTIONS.DRAFT, ACTIONS.RETIRE];
+        default:
+            return [ACTIONS.DRAFT];
+    }
+}
+
+/**
+ * Consent template version manager: history, side-by-side HTML diff between any two versions,
+ * and draft -> scheduled/active publishing. Published versions are read-only server-side.
+ */
+export default class TppConsentTemplateAdmin extends LightningElement {
+    /** Audience__c whose versions are managed (configured in App Builder) */
+    @api audience = 'Third Party';
+
+    @track versions = [];
+    columns = COLUMNS;
+    baseVersionId;
+    compareVersionId;
+    publishVersionId;
+    effectiveAt;
+    isLoading = false;
+    errorMessage = '';
+    _diffCache = {};
+
+    connectedCallback() {
+        this.loadVersions();
+    }
+
+    async loadVersions() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            const rows = await getVersions({ audience: this.audience });
+            this.versions = rows.map((row) => ({
+                ...row,
+                lastModifiedByName: row.LastModifiedBy ? row.LastModifiedBy.Name : ''
+            }));
+            this.setDefaultComparison();
+        } catch (error) {
+            console.error('[TppConsentTemplateAdmin] getVersions error:', error);
+            this.errorMessage = this.reduceError(error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Default: compare what applicants see today with the newest version
+    setDefaultComparison() {
+        const active = this.versions.find((v) => v.Status__c === 'Active');
+        const newest = this.versions[0];
+        if (!this.versionById(this.baseVersionId)) {
+            this.baseVersionId = active ? active.Id : newest && newest.Id;
+        }
+        if (!this.versionById(this.compareVersionId)) {
+            this.compareVersionId = newest ? newest.Id : null;
+        }
+    }
+
+    versionById(id) {
+        return id ? this.versions.find((v) => v.Id === id) : undefined;
+    }
+
+    get hasVersions() {
+        return this.versions.length > 0;
+    }
+
+    get versionOptions() {
+        return this.versions.map((v) => ({
+            label: [v.State__c, v.Version__c, v.Language__c && v.Language__c !== 'en' ? `[${v.Language__c}]` : null, `(${v.Status__c})`]
+                .filter((part) => part)
+                .join(' '),
+            value: v.Id
+        }));
+    }
+
+    get diff() {
+        const base = this.versionById(this.baseVersionId);
+        const compare = this.versionById(this.compareVersionId);
+        if (!base || !compare) {
+            return null;
+        }
+        // Several getters read the diff per render; only recompute when the pair changes
+        const key = `${base.Id}:${compare.Id}`;
+        if (this._diffCache.key !== key) {
+            this._diffCache = { key, value: htmlDiff(base.Consent_Body__c, compare.Consent_Body__c) };
+        }
+        return this._diffCache.value;
+    }
+
+    get hasDiff() {
+        return !!this.diff;
+    }
+
+    get diffSummary() {
+        const { insertions, deletions } = this.diff;
+        if (!insertions && !deletions) {
+            return 'No differences between these versions.';
+        }
+        return `${insertions} word(s) added, ${deletions} word(s) removed.`;
+    }
+
+    get publishVersion() {
+        return this.versionById(this.publishVersionId);
+    }
+
+    get showPublishPanel() {
+        return !!this.publishVersion;
+    }
+
+    get publishLabel() {
+        return this.effectiveAt ? 'Schedule' : 'Publish now';
+    }
+
+    handleBaseChange(event) {
+        this.baseVersionId = event.detail.value;
+    }
+
+    handleCompareChange(event) {
+        this.compareVersionId = event.detail.value;
+    }
+
+    handleEffectiveChange(event) {
+        this.effectiveAt = event.detail.value;
+    }
+
+    handleRowAction(event) {
+        const { action, row } = event.detail;
+        switch (action.name) {
+            case ACTIONS.PUBLISH.name:
+                this.startPublish(row);
+                break;
+            case ACTIONS.DRAFT.name:
+                this.run(() => createDraft({ sourceTemplateId: row.Id }), 'Draft created.');
+                break;
+            case ACTIONS.CANCEL.name:
+                this.run(() => cancelSchedule({ templateId: row.Id }), 'Schedule cancelled.');
+                break;
+            case ACTIONS.RETIRE.name:
+                this.run(() => retire({ templateId: row.Id }), `Version ${row.Version__c} retired.`);
+                break;
+            default:
+        }
+    }
+
+    // Publishing always goes through the diff against the version currently in force
+    // for the same language (and state)
+    startPublish(row) {
+        const sameText = (v) => (v.Language__c || 'en') === (row.Language__c || 'en') && v.State__c === row.State__c;
+        const active = this.versions.find((v) => v.Status__c === 'Active' && sameText(v));
+        this.baseVersionId = active ? active.Id : this.baseVersionId;
+        this.compareVersionId = row.Id;
+        this.publishVersionId = row.Id;
+        this.effectiveAt = null;
+    }
+
+    handleCancelPublish() {
+        this.publishVersionId = null;
+        this.effectiveAt = null;
+    }
+
+    handleConfirmPublish() {
+        const templateId = this.publishVersionId;
+        const effectiveAt = this.effectiveAt || null;
+        this.publishVersionId = null;
+        this.run(
+            () => publish({ templateId, effectiveAt }),
+            effectiveAt ? 'Version scheduled.' : 'Version published.'
+        );
+    }
+
+    async run(action, successMessage) {
+        this.isLoading = true;
+        try {
+            await action();
+            this.dispatchEvent(new ShowToastEvent({ title: 'Success', message: successMessage, variant: 'success' }));
+            await this.loadVersions();
+        } catch (error) {
+            console.error('[TppConsentTemplateAdmin] action error:', error);
+            this.dispatchEvent(new ShowToastEvent({ title: 'Error', message: this.reduceError(error), variant: 'error' }));
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    reduceError(error) {
+        return (error && error.body && error.body.message) || (error && error.message) || 'Unexpected error.';
+    }
+}
@@ -0,0 +1,217 @@
+/**
+ * @description Declarative validation rules for the third-party application form.
+ * Rules are built from the form definition (Third_Party_Form_Field__mdt via
+ * ThirdPartyFormDefinition) and keyed by formData property. Mirrors the server-side
+ * checks in ThirdPartyApplicationValidator so the applicant sees the same messages.
+ * @author Simple Start Development Team
+ * @version 1.0
+ */
+
+const MIN_APPLICANT_AGE = 18;
+
+const SSN_PATTERN = /^(\d{3})-?(\d{2})-?(\d{4})$/;
+const ZIP_PATTERN = /^\d{5}(-?\d{4})?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * @description Checks SSN format and rejects ranges the SSA never issues
+ * (area 000, 666 or 900-999, group 00, serial 0000)
+ * @param {String} value Raw SSN
+ * @return {String} Error message or null
+ */
+function validateSsn(value) {
+    const match = SSN_PATTERN.exec(String(value).trim());
+    if (!match) {
+        return 'Enter a 9-digit Social Security Number.';
+    }
+    const [, area, group, serial] = match;
+    if (area === '000' || area === '666' || area.charAt(0) === '9' || group === '00' || serial === '0000') {
+        return 'Enter a valid Social Security Number.';
+    }
+    return null;
+}
+
+/**
+ * @description Requires a real past date at least MIN_APPLICANT_AGE years ago
+ * @param {String} value Date string (yyyy-MM-dd)
+ * @return {String} Error message or null
+ */
+function validateBirthdate(value) {
+    const match = DATE_PATTERN.exec(String(value).trim());
+    if (!match) {
+        return 'Enter a valid birthdate.';
+    }
+    const year = Number(match[1]);
+    const month = Number(match[2]) - 1;
+    const day = Number(match[3]);
+    const birthdate = new Date(year, month, day);
+    if (birthdate.getFullYear() !== year || birthdate.getMonth() !== month || birthdate.getDate() !== day) {
+        return 'Enter a valid birthdate.';
+    }
+
+    const today = new Date();
+    if (birthdate > today) {
+        return 'Birthdate cannot be in the future.';
+    }
+    const eighteenth = new Date(year + MIN_APPLICANT_AGE, month, day);
+    if (eighteenth > today) {
+        return `Applicant must be at least ${MIN_APPLICANT_AGE} years old.`;
+    }
+    return null;
+}
+
+function validatePostalCode(value) {
+    return ZIP_PATTERN.test(String(value).trim()) ? null : 'Enter a 5-digit or 9-digit ZIP code.';
+}
+
+function validateMobilePhone(value) {
+    return normalizePhoneToE164(value) ? null : 'Enter a valid 10-digit mobile phone number.';
+}
+
+function validateEmail(value) {
+    return EMAIL_PATTERN.test(String(value).trim()) ? null : 'Enter a valid email address.';
+}
+
+function validateIncome(value) {
+    // Accept masked currency such as $85,000.00
+    const amount = Number(String(value).replace(/[$,\s]/g, ''));
+    if (!Number.isFinite(amount)) {
+        return 'Income must be a number.';
+    }
+    return amount > 0 ? null : 'Income must be greater than zero.';
+}
+
+/**
+ * @description Normalizes a phone number to E.164 (US numbers assumed when no country code)
+ * @param {String} value Raw phone number
+ * @return {String} E.164 number (e.g. +13035551234) or null if it cannot be normalized
+ */
+export function normalizePhoneToE164(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    const raw = String(value).trim();
+    const digits = raw.replace(/\D/g, '');
+    if (raw.startsWith('+')) {
+        return digits.length >= 8 && digits.length <= 15 && digits.charAt(0) !== '0' ? `+${digits}` : null;
+    }
+    if (digits.length === 10) {
+        return `+1${digits}`;
+    }
+    if (digits.length === 11 && digits.charAt(0) === '1') {
+        return `+${digits}`;
+    }
+    return null;
+}
+
+/**
+ * Relationship of the third party to the client. Must match
+ * ThirdPartyRelationshipService.RELATIONSHIP_TYPES.
+ */
+export const RELATIONSHIP_TYPES = ['Parent', 'Spouse', 'Friend', 'Employer'];
+
+function validateRelationship(value) {
+    return RELATIONSHIP_TYPES.includes(String(value).trim()) ? null : 'Select a valid relationship to the client.';
+}
+
+/**
+ * Rule for the relationship picklist, which links the applicant to the client
+ * rather than mapping to an Account field
+ */
+export const RELATIONSHIP_RULE = { label: 'Relationship to Client', required: true, validate: validateRelationship };
+
+/**
+ * Named rules, referenced by Third_Party_Form_Field__mdt.Validation_Rule__c.
+ * Must stay in step with ThirdPartyApplicationValidator.applyRule.
+ */
+export const RULE_VALIDATORS = {
+    SSN: validateSsn,
+    BIRTHDATE: validateBirthdate,
+    POSTAL_CODE: validatePostalCode,
+    MOBILE_PHONE: validateMobilePhone,
+    EMAIL: validateEmail,
+    INCOME: validateIncome
+};
+
+/**
+ * Built-in form definition, used until the definition from ThirdPartyFormDefinition loads.
+ * Same shape and values as ThirdPartyFormDefinition.getDefaultFields().
+ */
+export const DEFAULT_FORM_FIELDS = [
+    { fieldKey: 'firstName', accountField: 'FirstName', label: 'First Name', type: 'text', required: true, step: 'identity' },
+    { fieldKey: 'middleName', accountField: 'MiddleName', label: 'Middle Name', type: 'text', required: false, step: 'identity' },
+    { fieldKey: 'lastName', accountField: 'LastName', label: 'Last Name', type: 'text', required: true, step: 'identity' },
+    { fieldKey: 'birthdate', accountField: 'Birthdate__c', label: 'Birthdate', type: 'date', required: true, validationRule: 'BIRTHDATE', step: 'identity' },
+    { fieldKey: 'mobilePhone', accountField: 'PersonMobilePhone', label: 'Mobile Phone', type: 'tel', required: true, validationRule: 'MOBILE_PHONE', step: 'contact' },
+    { fieldKey: 'socialSecurityNumber', accountField: 'Social_Security_Number__c', label: 'Social Security Number', type: 'ssn', required: true, validationRule: 'SSN', step: 'identity' },
+    { fieldKey: 'email', accountField: 'PersonEmail', label: 'Email', type: 'email', required: true, validationRule: 'EMAIL', step: 'contact' },
+    { fieldKey: 'street', accountField: 'PersonMailingStreet', label: 'Street Address', type: 'text', required: true, step: 'address' },
+    { fieldKey: 'city', accountField: 'PersonMailingCity', label: 'City', type: 'text', required: true, step: 'address' },
+    { fieldKey: 'state', accountField: 'State_A__c', label: 'State', type: 'picklist', required: true, step: 'address' },
+    { fieldKey: 'postalCode', accountField: 'PersonMailingPostalCode', label: 'Postal Code', type: 'text', required: true, validationRule: 'POSTAL_CODE', step: 'address' },
+    { fieldKey: 'annualIncome', accountField: 'Annual_household_income__c', label: 'Annual Household Income', type: 'currency', required: true, validationRule: 'INCOME', step: 'income' }
+];
+
+/**
+ * @description Builds rules keyed by formData key from a form definition
+ * @param {Array} fields Form definition (see DEFAULT_FORM_FIELDS)
+ * @return {Object} Rules: `required` fields fail with the field label when blank;
+ * `validate` runs only on non-blank values and returns an error message or null
+ */
+export function buildValidationRules(fields) {
+    const rules = {};
+    (fields || []).forEach((field) => {
+        const ruleName = field.validationRule ? String(field.validationRule).toUpperCase() : null;
+        rules[field.fieldKey] = {
+            label: field.label,
+            required: field.required === true,
+            validate: ruleName ? RULE_VALIDATORS[ruleName] : undefined
+        };
+    });
+    return rules;
+}
+
+/**
+ * Rules for the built-in definition
+ */
+export const VALIDATION_RULES = buildValidationRules(DEFAULT_FORM_FIELDS);
+
+function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * @description Validates a single formData value against its rule
+ * @param {String} fieldName formData key
+ * @param {*} value Field value
+ * @param {Object} rules Rules from buildValidationRules (defaults to the built-in form)
+ * @return {String} Error message or null when valid (or when no rule exists)
+ */
+export function validateField(fieldName, value, rules = VALIDATION_RULES) {
+    const rule = rules[fieldName];
+    if (!rule) {
+        return null;
+    }
+    if (isBlank(value)) {
+        return rule.required ? `${rule.label} is required.` : null;
+    }
+    return rule.validate ? rule.validate(value) : null;
+}
+
+/**
+ * @description Validates every ruled field in formData
+ * @param {Object} formData Form values keyed by field name
+ * @param {Object} rules Rules from buildValidationRules (defaults to the built-in form)
+ * @return {Object} Map of field name to error message (empty when valid)
+ */
+export function validateForm(formData, rules = VALIDATION_RULES) {
+    const errors = {};
+    Object.keys(rules).forEach((fieldName) => {
+        const message = validateField(fieldName, formData ? formData[fieldName] : null, rules);
+        if (message) {
+            errors[fieldName] = message;
+        }
+    });
+    return errors;
+}
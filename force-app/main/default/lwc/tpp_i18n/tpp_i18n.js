@@ -0,0 +1,86 @@
+/**
+ * @description Language support for the third-party application screens. Each component keeps its
+ * own strings keyed by language code; `translate` picks the applicant's language and falls back to
+ * English for anything not yet translated. The applicant's choice is remembered for the browser
+ * session so it carries from the application form to the consent and result screens.
+ * @author Simple Start Development Team
+ * @version 1.0
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+    { label: 'English', value: 'en' },
+    { label: 'Español', value: 'es' }
+];
+
+const STORAGE_KEY = 'tppLanguage';
+
+/**
+ * @description Supported language code for a code or locale ('es-MX' -> 'es')
+ * @param {String} value Language code or locale
+ * @return {String} Supported code, or null when unsupported
+ */
+export function normalizeLanguage(value) {
+    if (!value) {
+        return null;
+    }
+    const code = String(value).trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES.some((language) => language.value === code) ? code : null;
+}
+
+/**
+ * @description Language to start in: an explicit value (e.g. from the Flow), then the applicant's
+ * earlier choice this session, then the browser language, then English
+ * @param {String} requested Language passed to the component
+ * @return {String} Language code
+ */
+export function initialLanguage(requested) {
+    let remembered = null;
+    try {
+        remembered = window.sessionStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+        // Storage can be unavailable (private browsing); the browser language still applies
+    }
+    return (
+        normalizeLanguage(requested) ||
+        normalizeLanguage(remembered) ||
+        normalizeLanguage(typeof navigator !== 'undefined' ? navigator.language : null) ||
+        DEFAULT_LANGUAGE
+    );
+}
+
+/**
+ * @description Remembers the applicant's choice for the other screens
+ * @param {String} language Language code
+ */
+export function rememberLanguage(language) {
+    try {
+        window.sessionStorage.setItem(STORAGE_KEY, language);
+    } catch (e) {
+        // Not remembered; each screen falls back to the browser language
+    }
+}
+
+/**
+ * @description Strings for a language, with English filling any gaps
+ * @param {Object} strings Strings keyed by language code, then by string key
+ * @param {String} language Language code
+ * @return {Object} Strings by key
+ */
+export function translate(strings, language) {
+    return { ...strings[DEFAULT_LANGUAGE], ...(strings[language] || {}) };
+}
+
+/**
+ * @description Fills `{name}` placeholders in a translated string
+ * @param {String} text String with placeholders
+ * @param {Object} values Values by placeholder name
+ * @return {String} Formatted string
+ */
+export function format(text, values) {
+    return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+        const value = values ? values[name] : undefined;
+        return value === undefined || value === null ? match : value;
+    });
+}
@@ -0,0 +1,115 @@
+/**
+ * @description As-you-type masks and canonical normalization for the third-party application form.
+ * Masks only affect what the applicant sees; `normalize*` helpers produce the digits sent to Apex.
+ * @author Simple Start Development Team
+ * @version 1.0
+ */
+
+export function digitsOnly(value) {
+    return value === null || value === undefined ? '' : String(value).replace(/\D/g, '');
+}
+
+/**
+ * @description Formats up to 9 digits as ###-##-####
+ * @param {String} value Raw input
+ * @return {String} Masked SSN
+ */
+export function maskSsn(value) {
+    const digits = digitsOnly(value).slice(0, 9);
+    if (digits.length <= 3) {
+        return digits;
+    }
+    if (digits.length <= 5) {
+        return `${digits.slice(0, 3)}-${digits.slice(3)}`;
+    }
+    return `${digits.slice(0, 3)}-${digits.slice(3, 5)}-${digits.slice(5)}`;
+}
+
+/**
+ * @description Formats a US number as (###) ###-####, dropping a leading country code 1
+ * @param {String} value Raw input
+ * @return {String} Masked phone number
+ */
+export function maskPhone(value) {
+    let digits = digitsOnly(value);
+    if (digits.length === 11 && digits.charAt(0) === '1') {
+        digits = digits.slice(1);
+    }
+    digits = digits.slice(0, 10);
+    if (!digits.length) {
+        return '';
+    }
+    if (digits.length <= 3) {
+        return `(${digits}`;
+    }
+    if (digits.length <= 6) {
+        return `(${digits.slice(0, 3)}) ${digits.slice(3)}`;
+    }
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+/**
+ * @description Formats a dollar amount with thousands separators, keeping up to 2 decimals
+ * @param {String} value Raw input (e.g. 85000.5 or $85,000.50)
+ * @return {String} Masked currency (e.g. $85,000.50)
+ */
+export function maskCurrency(value) {
+    const cleaned = value === null || value === undefined ? '' : String(value).replace(/[^0-9.]/g, '');
+    if (!cleaned.length) {
+        return '';
+    }
+    const [wholePart, ...rest] = cleaned.split('.');
+    const whole = (wholePart.replace(/^0+(?=\d)/, '') || '0').replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    if (!rest.length) {
+        return `$${whole}`;
+    }
+    return `$${whole}.${rest.join('').slice(0, 2)}`;
+}
+
+/**
+ * @description Canonical SSN: 9 digits, no separators
+ */
+export function normalizeSsn(value) {
+    return digitsOnly(value);
+}
+
+/**
+ * @description Canonical US phone: 10 digits, country code dropped
+ */
+export function normalizePhone(value) {
+    const digits = digitsOnly(value);
+    return digits.length === 11 && digits.charAt(0) === '1' ? digits.slice(1) : digits;
+}
+
+/**
+ * @description Canonical income: plain decimal string without $ or separators
+ * @param {String} value Masked or raw currency
+ * @return {String} Decimal string (e.g. 85000.5) or '' when not numeric
+ */
+export function normalizeCurrency(value) {
+    const cleaned = value === null || value === undefined ? '' : String(value).replace(/[$,\s]/g, '');
+    if (!cleaned.length || !Number.isFinite(Number(cleaned))) {
+        return '';
+    }
+    return String(Number(cleaned));
+}
+
+/**
+ * Masks applied on input change, keyed by formData field name
+ */
+export const INPUT_MASKS = {
+    socialSecurityNumber: maskSsn,
+    mobilePhone: maskPhone,
+    annualIncome: maskCurrency
+};
+
+/**
+ * @description Applies the field's mask (if any) to a raw input value
+ * @param {String} fieldName formData key
+ * @param {String} value Raw input value
+ * @return {String} Masked value, or the original value when the field has no mask
+ */
+export function applyMask(fieldName, value) {
+    const mask = INPUT_MASKS[fieldName];
+    return mask ? mask(value) : value;
+}
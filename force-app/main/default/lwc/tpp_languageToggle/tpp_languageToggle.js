@@ -0,0 +1,26 @@
+import { LightningElement, api } from 'lwc';
+import { LANGUAGES } from 'c/tpp_i18n';
+
+/**
+ * Language switcher shared by the third-party screens. Fires `languagechange` with
+ * `detail.value` set to the chosen language code; the parent owns the current value.
+ */
+export default class TppLanguageToggle extends LightningElement {
+    /** Current language code */
+    @api value;
+    @api disabled = false;
+
+    get options() {
+        return LANGUAGES.map((language) => ({
+            ...language,
+            variant: language.value === this.value ? 'brand' : 'neutral'
+        }));
+    }
+
+    handleSelect(event) {
+        const value = event.target.dataset.value;
+        if (value !== this.value) {
+            this.dispatchEvent(new CustomEvent('languagechange', { detail: { value } }));
+        }
+    }
+}
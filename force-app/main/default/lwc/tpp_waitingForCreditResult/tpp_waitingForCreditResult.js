@@ -1,9 +1,59 @@
 import { LightningElement, api, wire } from 'lwc';
-import { FlowNavigationNextEvent } from 'lightning/flowSupport';
+import { FlowAttributeChangeEvent, FlowNavigationNextEvent } from 'lightning/flowSupport';
 import { getRecordNotifyChange } from 'lightning/uiRecordApi';
 import { refreshApex } from '@salesforce/apex';
+import { subscribe, unsubscribe, onError, isEmpEnabled } from 'lightning/empApi';
 import getDecisionAsMap from '@salesforce/apex/WaitingForCreditResultService.getDecisionAsMap';
 
+// Published by CreditDecisionEventService when a PrequalSolutions job writes Credit_Decision__c
+const DECISION_CHANNEL = '/event/Credit_Decision__e';
+
+// Values of the `outcome` output the Flow branches on
+const OUTCOME = {
+    DECIDED: 'DECIDED',
+    TIMED_OUT: 'TIMED_OUT',
+    ERROR: 'ERROR'
+};
+
+// Credit_Check_Request__c progress, as reported by getDecisionAsMap
+const REQUEST_PROGRESS = {
+    Queued: 'Your request is in line…',
+    Calling: 'Contacting the credit bureau…',
+    Parsing: 'Reviewing your results…'
+};
+const REQUEST_FAILED = 'Failed';
+
+const STATUS = {
+    WAITING: 'waiting',
+    STILL_WORKING: 'stillWorking',
+    ERROR: 'error'
+};
+
+function isFinalDecision(creditDecision) {
+    return creditDecision !== null &&
+        creditDecision !== undefined &&
+        String(creditDecision).trim() !== '' &&
+        String(creditDecision).toLowerCase() !== 'pending';
+}
+
+// Flow screen properties arrive unset or as strings when left blank in the builder
+function numberOr(value, fallback, min) {
+    const n = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+// Flow variables may hold 15- or 18-character Ids
+function sameId(a, b) {
+    return !!a && !!b && String(a).substring(0, 15) === String(b).substring(0, 15);
+}
+
+/**
+ * Waits for the client's credit decision, then moves the Flow forward with outcome DECIDED. Listens for
+ * Credit_Decision__e through empApi; polls instead where streaming is unavailable (e.g. guest users
+ * on the Experience Cloud site) or the subscription drops. When no decision arrives in time, or the
+ * decision cannot be read, it shows a "still working" / error state where the applicant can check
+ * again or continue with outcome TIMED_OUT / ERROR.
+ */
 export default class WaitingForCreditResult extends LightningElement {
     _parentAccountId;
     @api recordId;
@@ -21,13 +71,30 @@ export default class WaitingForCreditResult extends LightningElement {
         return this._parentAccountId ?? this.recordId ?? null;
     }
 
+    @api maxPolls = 5;            // Max attempts
+    @api pollingInterval = 10000; // 10s
+    @api initialDelay = 10000;    // 10s before first poll
+
+    _outcome;
+
+    /** DECIDED, TIMED_OUT or ERROR once the screen is done waiting (Flow output) */
+    @api
+    get outcome() { return this._outcome; }
+    set outcome(v) { this._outcome = v; }
+
     wiredDecisionResult;
     intervalId;
     pollCount = 0;
-    maxPolls = 5;            // Max attempts
-    pollingInterval = 10000; // 10s
-    initialDelay = 10000;    // 10s before first poll
+    status = STATUS.WAITING;
+    requestStatus;
+    errorMessage = '';
     hasNavigated = false;
+    errorHandlerRegistered = false;
+    isConnected = false;
+    subscription = null;
+    isStreaming = false;
+    delayId;
+    deadlineId;
 
     @wire(getDecisionAsMap, { accountId: '$resolvedAccountId' })
     wiredDecision(result) {
@@ -43,39 +110,147 @@ export default class WaitingForCreditResult extends LightningElement {
             }
 
             const creditDecision = data.creditDecision ?? null;
+            const isFinal = isFinalDecision(creditDecision);
 
-           
-            const isFinalDecision =
-                creditDecision !== null &&
-                creditDecision !== undefined &&
-                String(creditDecision).trim() !== '' &&
-                String(creditDecision).toLowerCase() !== 'pending';
+            console.log('[WaitingForCreditResult] Polling… creditDecision:', creditDecision, 'isFinal:', isFinal);
 
-            console.log('[WaitingForCreditResult] Polling… creditDecision:', creditDecision, 'isFinal:', isFinalDecision);
-
-            if (isFinalDecision && !this.hasNavigated) {
+            this.requestStatus = data.requestStatus || null;
+            if (isFinal && !this.hasNavigated) {
                 console.log('[WaitingForCreditResult] Decision found! Navigating…');
                 this.stopPollingAndNavigate();
+            } else if (this.requestStatus === REQUEST_FAILED && this.isWaiting) {
+                console.error('[WaitingForCreditResult] Credit check failed:', data.requestError);
+                this.showError({
+                    message: data.requestError
+                        ? `The credit check could not be completed (${data.requestError}).`
+                        : 'The credit check could not be completed.'
+                });
             }
         } else if (error) {
             console.error('[WaitingForCreditResult] Apex wire error:', error);
-            
-            
-            this.stopPolling();
+            this.showError(error);
         }
     }
 
+    get pollLimit() {
+        return numberOr(this.maxPolls, 5, 1);
+    }
+
+    get pollEvery() {
+        return numberOr(this.pollingInterval, 10000, 1000);
+    }
+
+    get firstPollDelay() {
+        return numberOr(this.initialDelay, 10000, 0);
+    }
+
+    get progressMessage() {
+        return REQUEST_PROGRESS[this.requestStatus] || 'Please wait while we searching your offers.';
+    }
+
+    get isWaiting() {
+        return this.status === STATUS.WAITING;
+    }
+
+    get isStillWorking() {
+        return this.status === STATUS.STILL_WORKING;
+    }
+
+    get isError() {
+        return this.status === STATUS.ERROR;
+    }
+
     connectedCallback() {
-        console.log('[WaitingForCreditResult] Connected. Starting initial delay…');
+        console.log('[WaitingForCreditResult] Connected. Listening for the decision…');
+        this.isConnected = true;
+        this.startListening(this.firstPollDelay);
+    }
+
+    async startListening(firstPollDelay) {
+        try {
+            if (await isEmpEnabled()) {
+                if (!this.errorHandlerRegistered) {
+                    this.errorHandlerRegistered = true;
+                    onError((error) => {
+                        console.error('[WaitingForCreditResult] Streaming error:', error);
+                        this.fallBackToPolling();
+                    });
+                }
+                this.subscription = await subscribe(DECISION_CHANNEL, -1, (message) => this.handleDecisionEvent(message));
+                if (this.hasNavigated || !this.isConnected || !this.isWaiting) {
+                    this.stopListening();
+                    return;
+                }
+                this.isStreaming = true;
+                console.log('[WaitingForCreditResult] Subscribed to', DECISION_CHANNEL);
+                // A decision written before the subscription started would never be pushed
+                this.refreshDecision().catch((error) => {
+                    console.error('[WaitingForCreditResult] Refresh error:', error);
+                });
+                // Same overall wait as polling before giving up
+                this.deadlineId = this.after(firstPollDelay + this.pollLimit * this.pollEvery, () => {
+                    console.log('[WaitingForCreditResult] No decision event in time.');
+                    this.showTimedOut();
+                });
+                return;
+            }
+            console.log('[WaitingForCreditResult] Streaming unavailable. Falling back to polling.');
+        } catch (error) {
+            console.error('[WaitingForCreditResult] Subscribe error, falling back to polling:', error);
+        }
+        if (this.isConnected && this.isWaiting) {
+            this.startPollingAfterDelay(firstPollDelay);
+        }
+    }
+
+    handleDecisionEvent(message) {
+        const payload = (message && message.data && message.data.payload) || {};
+        if (!sameId(payload.Account_Id__c, this.resolvedAccountId) || !isFinalDecision(payload.Credit_Decision__c)) {
+            return;
+        }
+        console.log('[WaitingForCreditResult] Decision event received:', payload.Credit_Decision__c);
+        // Refresh cached decision data before the next screen reads it
+        this.refreshDecision()
+            .catch((error) => {
+                console.error('[WaitingForCreditResult] Refresh error:', error);
+            })
+            .finally(() => this.stopPollingAndNavigate());
+    }
+
+    fallBackToPolling() {
+        if (!this.isStreaming || this.hasNavigated) {
+            return;
+        }
+        this.isStreaming = false;
+        clearTimeout(this.deadlineId);
+        this.unsubscribeFromDecisions();
+        this.startPollingAfterDelay(0);
+    }
+
+    startPollingAfterDelay(delay) {
         // Wait the initial delay before polling
-        setTimeout(() => {
+        this.delayId = this.after(delay, () => {
             console.log('[WaitingForCreditResult] Initial delay finished. Starting polling.');
             this.startPolling();
-        }, this.initialDelay);
+        });
+    }
+
+    // One-shot timer shared by the polling delay and the streaming deadline
+    after(delay, callback) {
+        return setTimeout(callback, delay);
+    }
+
+    refreshDecision() {
+        const id = this.resolvedAccountId;
+        if (!id || !this.wiredDecisionResult) {
+            return Promise.resolve();
+        }
+        getRecordNotifyChange([{ recordId: id }]);
+        return refreshApex(this.wiredDecisionResult);
     }
 
     startPolling() {
-        console.log(`[WaitingForCreditResult] Polling started every ${this.pollingInterval}ms, max ${this.maxPolls} times`);
+        console.log(`[WaitingForCreditResult] Polling started every ${this.pollEvery}ms, max ${this.pollLimit} times`);
         this.intervalId = setInterval(() => {
             const id = this.resolvedAccountId;
             if (!id) {
@@ -88,22 +263,84 @@ export default class WaitingForCreditResult extends LightningElement {
 
             if (this.wiredDecisionResult) {
                 console.log('[WaitingForCreditResult] Refreshing Apex data…');
-                refreshApex(this.wiredDecisionResult);
-                getRecordNotifyChange([{ recordId: id }]);
+                this.refreshDecision().catch((error) => {
+                    console.error('[WaitingForCreditResult] Refresh error:', error);
+                });
             }
 
-            if (this.pollCount >= this.maxPolls && !this.hasNavigated) {
-                console.log('[WaitingForCreditResult] Max polls reached. Stopping and navigating.');
-                this.stopPollingAndNavigate();
+            if (this.pollCount >= this.pollLimit && !this.hasNavigated) {
+                console.log('[WaitingForCreditResult] Max polls reached. Stopping.');
+                this.showTimedOut();
             }
-        }, this.pollingInterval);
+        }, this.pollEvery);
+    }
+
+    showTimedOut() {
+        if (this.hasNavigated || !this.isWaiting) {
+            return;
+        }
+        this.stopListening();
+        this.status = STATUS.STILL_WORKING;
+        this.setOutcome(OUTCOME.TIMED_OUT);
+    }
+
+    showError(error) {
+        if (this.hasNavigated) {
+            return;
+        }
+        this.stopListening();
+        this.status = STATUS.ERROR;
+        this.errorMessage = this.reduceError(error);
+        this.setOutcome(OUTCOME.ERROR);
+    }
+
+    // Manual re-check: look now, then wait another full round
+    handleRetry() {
+        console.log('[WaitingForCreditResult] Checking again…');
+        this.status = STATUS.WAITING;
+        this.errorMessage = '';
+        this.pollCount = 0;
+        this.refreshDecision().catch((error) => {
+            console.error('[WaitingForCreditResult] Re-check error:', error);
+        });
+        this.startListening(0);
+    }
+
+    handleContinue() {
+        this.navigate(this._outcome || OUTCOME.TIMED_OUT);
+    }
+
+    setOutcome(outcome) {
+        this._outcome = outcome;
+        this.dispatchEvent(new FlowAttributeChangeEvent('outcome', outcome));
+    }
+
+    reduceError(error) {
+        return (error && error.body && error.body.message) || (error && error.message) || 'Unexpected error.';
     }
 
     disconnectedCallback() {
         console.log('[WaitingForCreditResult] Disconnected. Stopping polling.');
+        this.isConnected = false;
+        this.stopListening();
+    }
+
+    stopListening() {
+        clearTimeout(this.delayId);
+        clearTimeout(this.deadlineId);
+        this.isStreaming = false;
+        this.unsubscribeFromDecisions();
         this.stopPolling();
     }
 
+    unsubscribeFromDecisions() {
+        if (this.subscription) {
+            const subscription = this.subscription;
+            this.subscription = null;
+            unsubscribe(subscription, () => console.log('[WaitingForCreditResult] Unsubscribed from', DECISION_CHANNEL));
+        }
+    }
+
     stopPolling() {
         if (this.intervalId) {
             clearInterval(this.intervalId);
@@ -113,11 +350,16 @@ export default class WaitingForCreditResult extends LightningElement {
     }
 
     stopPollingAndNavigate() {
+        this.navigate(OUTCOME.DECIDED);
+    }
+
+    navigate(outcome) {
         if (!this.hasNavigated) {
             this.hasNavigated = true;
-            this.stopPolling();
+            this.stopListening();
+            this.setOutcome(outcome);
             this.dispatchEvent(new FlowNavigationNextEvent());
-            console.log('[WaitingForCreditResult] Navigation event dispatched.');
+            console.log('[WaitingForCreditResult] Navigation event dispatched with outcome', outcome);
         }
     }
 }